@@ -0,0 +1,139 @@
+// lib/colorHarmony.js
+// Free-text item colors ("Navy", "light blue", "olive green/cream", "#c0ffee") mapped onto HSL, and
+// the harmony rules the outfit pickers rank combinations by: neutrals go with anything, one accent
+// on neutrals is the safe bet, one hue in several shades (monochrome) or neighbouring hues
+// (analogous) read as deliberate, opposite hues (complementary) are bold but fine, and anything
+// else clashes.
+
+export const NAMED_COLORS = {
+  'black': '#111111', 'white': '#f8f8f8', 'off white': '#f2efe6', 'ivory': '#fffff0', 'cream': '#f3ead3',
+  'grey': '#8c8c8c', 'gray': '#8c8c8c', 'heather grey': '#9e9e9e', 'charcoal': '#36454f', 'silver': '#c0c0c0',
+  'navy': '#1f2a44', 'navy blue': '#1f2a44', 'denim': '#3b5b86', 'indigo': '#33416b',
+  'beige': '#d9c8a9', 'tan': '#c8a27a', 'khaki': '#c3b091', 'camel': '#c19a6b', 'sand': '#d8c59a',
+  'oatmeal': '#d8ccb4', 'stone': '#b9b2a4', 'taupe': '#8b7d6b', 'brown': '#6b4a2f', 'chocolate': '#4a2c1d', 'cognac': '#9a4a21',
+  'red': '#c62828', 'burgundy': '#6d1a2b', 'maroon': '#6b1f2a', 'wine': '#722f37', 'oxblood': '#5a1d1d',
+  'pink': '#f4a6c1', 'blush': '#e8b4b0', 'hot pink': '#e91e8c', 'fuchsia': '#c2185b', 'magenta': '#b0287c',
+  'coral': '#f06e5a', 'salmon': '#f08a70', 'peach': '#f6c0a0',
+  'orange': '#ef7d1a', 'rust': '#a84a1e', 'terracotta': '#c2613f', 'burnt orange': '#c15a1e',
+  'mustard': '#d0a01c', 'yellow': '#f2d13a', 'gold': '#c9a227', 'lemon': '#f5e663',
+  'olive': '#6b6b2a', 'olive green': '#6b6b2a', 'khaki green': '#6f6b3d', 'sage': '#9caf88', 'green': '#2e8b57',
+  'forest green': '#1f4d2b', 'hunter green': '#23432d', 'emerald': '#1f8a5a', 'mint': '#a8e6c1', 'lime': '#9ccc3c',
+  'teal': '#1f7a7a', 'turquoise': '#2ec4c4', 'aqua': '#5fd3d3',
+  'blue': '#2f64c6', 'cobalt': '#1f4fbf', 'cobalt blue': '#1f4fbf', 'royal blue': '#2746b5', 'sky blue': '#8cc4ec',
+  'light blue': '#a9cbe8', 'baby blue': '#a9d0ef', 'powder blue': '#b6d0e2',
+  'purple': '#6a3d9a', 'violet': '#7f4fc9', 'lavender': '#c7b6e6', 'lilac': '#c8a2c8', 'plum': '#6b3a5b', 'mauve': '#b78da0',
+};
+// Fashion neutrals: pair with anything even where they have some hue (navy, camel, denim…)
+export const NEUTRAL_COLOR_NAMES = new Set(['black', 'white', 'off white', 'ivory', 'cream', 'grey', 'gray', 'heather grey', 'charcoal', 'silver',
+  'navy', 'navy blue', 'denim', 'indigo', 'beige', 'tan', 'khaki', 'camel', 'sand', 'oatmeal', 'stone', 'taupe', 'brown', 'chocolate', 'cognac']);
+const COLOR_NAMES_LONGEST_FIRST = Object.keys(NAMED_COLORS).sort((a, b) => b.length - a.length);
+
+export function hexToHsl(hex) {
+  const n = parseInt(hex.replace('#', '').replace(/^(.)(.)(.)$/, '$1$1$2$2$3$3'), 16);
+  const [r, g, b] = [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(v => v / 255);
+  const max = Math.max(r, g, b), min = Math.min(r, g, b), l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  const h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+  return { h: h * 60, s, l };
+}
+
+// Free-text color → { name, hex, h, s, l, neutral }, or null when nothing is recognised. With
+// several colors ("navy/white stripe") the first one named is the item's main color.
+export function parseColor(text) {
+  const t = String(text || '').toLowerCase().replace(/[_-]/g, ' ');
+  const hex = /#([0-9a-f]{6}|[0-9a-f]{3})\b/.exec(t);
+  if (hex) {
+    const hsl = hexToHsl(hex[0]);
+    return { name: hex[0], hex: hex[0], ...hsl, neutral: hsl.s < 0.15 || hsl.l < 0.12 || hsl.l > 0.92 };
+  }
+  let found = null;
+  for (const name of COLOR_NAMES_LONGEST_FIRST) {
+    const at = t.search(new RegExp(`\\b${name}\\b`));
+    if (at !== -1 && (!found || at < found.at)) found = { name, at };
+  }
+  if (!found) return null;
+  const base = hexToHsl(NAMED_COLORS[found.name]);
+  // "light"/"dark" shift the shade but keep the hue family
+  const shade = /\b(light|pale|soft)\b/.test(t) ? 0.15 : /\b(dark|deep)\b/.test(t) ? -0.15 : 0;
+  return {
+    name:    found.name,
+    hex:     NAMED_COLORS[found.name],
+    ...base,
+    l:       Math.min(0.95, Math.max(0.05, base.l + shade)),
+    neutral: NEUTRAL_COLOR_NAMES.has(found.name),
+  };
+}
+
+// Smallest arc (degrees) covering all the hues
+function hueSpan(hues) {
+  if (hues.length < 2) return 0;
+  const sorted = [...hues].sort((a, b) => a - b);
+  let widestGap = 360 - sorted[sorted.length - 1] + sorted[0];
+  for (let i = 1; i < sorted.length; i++) widestGap = Math.max(widestGap, sorted[i] - sorted[i - 1]);
+  return 360 - widestGap;
+}
+
+// Two tight hue groups roughly opposite each other?
+function isComplementary(hues) {
+  for (const pivot of hues) {
+    const near = hues.filter(h => Math.min(Math.abs(h - pivot), 360 - Math.abs(h - pivot)) <= 30);
+    const far  = hues.filter(h => !near.includes(h));
+    if (!far.length || hueSpan(far) > 30 || hueSpan(near) > 30) continue;
+    const gap = Math.abs(near[0] - far[0]) % 360;
+    if (Math.min(gap, 360 - gap) >= 150) return true;
+  }
+  return false;
+}
+
+// Colors → { score 0–1, scheme }. Fewer than two known colors score a neutral 0.6.
+export function harmonyScore(colors) {
+  const harmony = (score, scheme) => ({ score: Math.round(score * 100) / 100, scheme });
+  const known = colors.filter(Boolean);
+  if (known.length < 2) return harmony(0.6, 'unknown');
+  const accents = known.filter(c => !c.neutral);
+  const anchored = accents.length < known.length ? 0.05 : 0;   // a neutral steadies any accents
+  if (!accents.length) {
+    // All neutrals: fine, better with some light/dark contrast
+    const contrast = Math.max(...known.map(c => c.l)) - Math.min(...known.map(c => c.l));
+    return harmony(contrast >= 0.3 ? 0.8 : 0.7, 'neutral');
+  }
+  if (accents.length === 1) return harmony(0.9, 'accent');
+  const hues = accents.map(c => c.h);
+  const span = hueSpan(hues);
+  if (span <= 20)  return harmony(Math.min(1, 0.85 + anchored), 'monochrome');
+  if (span <= 60)  return harmony(Math.min(1, 0.8 + anchored), 'analogous');
+  if (isComplementary(hues)) return harmony(0.7 + anchored, 'complementary');
+  return harmony(Math.max(0.05, 0.35 + anchored - 0.1 * (accents.length - 2)), 'clash');
+}
+
+export const itemColor = (item) => parseColor(item.color) || (item.photoColor ? parseColor(item.photoColor) : null);
+
+// Distinct colors of an outfit, in item order → the palette saved on it
+export function outfitPalette(items) {
+  return [...new Set(items.map(i => itemColor(i)?.name).filter(Boolean))];
+}
+
+// One item per candidate pool, the combination with the best harmony; among (near-)equal ones a
+// random pick keeps suggestions varied. Large closets are sampled rather than enumerated.
+export const HARMONY_MAX_COMBOS = 400;
+export function pickHarmoniousOutfit(pools) {
+  pools = pools.filter(p => p?.length);
+  if (!pools.length) return { items: [], harmony: harmonyScore([]) };
+  const total = pools.reduce((n, p) => n * p.length, 1);
+  const combos = [];
+  if (total <= HARMONY_MAX_COMBOS) {
+    const walk = (i, acc) => {
+      if (i === pools.length) return combos.push(acc);
+      for (const item of pools[i]) walk(i + 1, [...acc, item]);
+    };
+    walk(0, []);
+  } else {
+    for (let n = 0; n < HARMONY_MAX_COMBOS; n++) combos.push(pools.map(p => p[Math.floor(Math.random() * p.length)]));
+  }
+  const scored = combos.map(items => ({ items, harmony: harmonyScore(items.map(itemColor)) }));
+  const best = Math.max(...scored.map(s => s.harmony.score));
+  const top = scored.filter(s => s.harmony.score >= best - 0.02);
+  return top[Math.floor(Math.random() * top.length)];
+}
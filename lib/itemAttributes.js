@@ -0,0 +1,28 @@
+// lib/itemAttributes.js
+// Structured closet item attributes (warmth, formality, seasons, fabric, pattern): the allowed
+// values and the one set of rules for cleaning loose input. Shared by server.js and
+// scripts/populateItemAttributes.js so the API and the backfill store the same values.
+
+export const ITEM_SEASONS  = ['spring', 'summer', 'fall', 'winter'];
+export const ITEM_PATTERNS = ['solid', 'striped', 'plaid', 'floral', 'polka dot', 'animal', 'graphic', 'print'];
+
+// Loose input (AI answers, record fields, request bodies) → only the valid attributes
+export function normalizeItemAttributes(raw = {}) {
+  const out = {};
+  const level = (v) => {
+    const n = Math.round(Number(v));
+    return v != null && v !== '' && n >= 1 && n <= 5 ? n : undefined;
+  };
+  if (level(raw.warmth))    out.warmth    = level(raw.warmth);
+  if (level(raw.formality)) out.formality = level(raw.formality);
+  const seasons = (Array.isArray(raw.seasons) ? raw.seasons : String(raw.seasons || '').split(','))
+    .map(s => String(s).toLowerCase().trim().replace('autumn', 'fall'))
+    .filter(s => ITEM_SEASONS.includes(s));
+  if (seasons.length) out.seasons = ITEM_SEASONS.filter(s => seasons.includes(s));
+  const fabric = String(raw.fabric || '').toLowerCase().trim();
+  if (fabric && !['unknown', 'n/a', 'none'].includes(fabric)) out.fabric = fabric.slice(0, 40);
+  const pattern = String(raw.pattern || '').toLowerCase().trim()
+    .replace(/^stripes?$/, 'striped').replace(/^(check|checked|checkered|tartan|gingham)$/, 'plaid');
+  if (pattern && !['unknown', 'n/a', 'none'].includes(pattern)) out.pattern = ITEM_PATTERNS.includes(pattern) ? pattern : 'print';
+  return out;
+}
@@ -0,0 +1,111 @@
+// lib/retailerFeed.js
+// Ranking and pagination of the blended retailer feed (GET /api/retailers): each page is a
+// deterministic k-way merge of every provider's next window of results, deduplicated against
+// what earlier pages already showed.
+
+import crypto from 'crypto';
+
+// Comparators for the merged feed; 'relevance' is ranked by scoreProduct instead
+export const PRODUCT_SORTS = {
+  price_asc:  (a, b) => a.price - b.price,
+  price_desc: (a, b) => b.price - a.price,
+  newest:     (a, b) => (Date.parse(b.createdAt || '') || 0) - (Date.parse(a.createdAt || '') || 0),
+};
+
+const RETAILER_SEEN_KEYS_MAX = 300;   // dedupe keys remembered in the cursor
+
+const productTitleKey = (p) => String(p.name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+// Same photo at a different size/CDN variant → same key (eBay s-l500 vs s-l1600, query strings)
+const productImageKey = (p) => String(p.imageUrl || '').toLowerCase()
+  .replace(/^https?:\/\//, '').replace(/[?#].*$/, '').replace(/\/s-l\d+\./, '/s-l.').replace(/\$[^$]*\$/g, '');
+export const shortHash = (s) => crypto.createHash('sha1').update(s).digest('hex').slice(0, 8);
+
+// Two products are the same item when they share a normalized title (same brand) or the same photo
+export function productDedupKeys(p) {
+  const keys = [`id:${p.retailer}:${p.id}`];
+  const title = productTitleKey(p);
+  if (title) keys.push(`t:${title}|${String(p.brand || '').toLowerCase()}`);
+  const image = productImageKey(p);
+  if (image) keys.push(`i:${image}`);
+  return keys.map(shortHash);
+}
+
+// Where the shopper's price expectations sit: the filter range if given, else the pool's median
+export function priceBandCenter(filters, products) {
+  const { minPrice, maxPrice } = filters;
+  if (minPrice != null && maxPrice != null) return (minPrice + maxPrice) / 2 || null;
+  if (minPrice != null) return minPrice * 1.5 || null;
+  if (maxPrice != null) return maxPrice * 0.66 || null;
+  const prices = products.map(p => p.price).filter(n => n > 0).sort((a, b) => a - b);
+  return prices.length ? prices[Math.floor(prices.length / 2)] : null;
+}
+
+// 0–1 relevance: text match to the query (60%), fit with the closet's palette and style tags (25%)
+// and closeness to the price band (15%)
+export function scoreProduct(p, { terms, colors, tags, priceCenter }) {
+  const text  = `${p.name} ${p.brand} ${p.category ?? ''} ${p.color ?? ''}`.toLowerCase();
+  const words = new Set(text.split(/[^a-z0-9]+/));
+  const textScore = terms.length ? terms.filter(t => words.has(t) || text.includes(t)).length / terms.length : 0.5;
+
+  let closetScore = 0;
+  if (colors.size || tags.size) {
+    const paletteHit = [...colors].some(c => words.has(c)) ? 1 : 0;
+    const tagHits = [...tags].filter(t => words.has(t)).length;
+    closetScore = 0.6 * paletteHit + 0.4 * Math.min(tagHits, 2) / 2;
+  }
+
+  const priceScore = priceCenter && p.price > 0
+    ? Math.max(0, 1 - Math.abs(Math.log(p.price / priceCenter)) / Math.log(4))
+    : 0;
+
+  return Math.round((0.6 * textScore + 0.25 * closetScore + 0.15 * priceScore) * 1e6) / 1e6;
+}
+
+// Merge provider windows into one page. Returns the page plus each provider's next offset.
+// Only the head of each window is compared, so every window must already be ordered by `sort`
+// (providers sort natively or through sortProviderRows): an item is never shown before the ones
+// ahead of it in its own window, and an unsorted window comes out unsorted. Offsets count on that
+// order, too. For 'relevance' the provider's own ranking stands in for the order.
+export function mergeRetailerPage({ sources, limit, sort, context, seen = [] }) {
+  const seenKeys = new Set(seen);
+  const queues = sources.map((s, order) => ({ ...s, order, pos: 0, lastTaken: -1 }));
+  const pool = queues.flatMap(q => q.items.map(i => i.product));
+  const ctx = { ...context, priceCenter: priceBandCenter(context.filters, pool) };
+  const scores = new Map(pool.map(p => [p, scoreProduct(p, ctx)]));
+
+  const byRank = PRODUCT_SORTS[sort] || ((a, b) => scores.get(b) - scores.get(a));
+  const compare = (a, qa, b, qb) => byRank(a.product, b.product) || qa.order - qb.order || a.index - b.index;
+
+  const page = [];
+  let duplicates = 0;
+  while (page.length < limit) {
+    let best = null;
+    for (const q of queues) {
+      // Duplicates of something already shown are consumed without being shown
+      while (q.pos < q.items.length && productDedupKeys(q.items[q.pos].product).some(k => seenKeys.has(k))) {
+        q.lastTaken = q.items[q.pos].index;
+        q.pos++;
+        duplicates++;
+      }
+      if (q.pos >= q.items.length) continue;
+      const head = q.items[q.pos];
+      if (!best || compare(head, q, best.head, best.q) < 0) best = { head, q };
+    }
+    if (!best) break;
+    page.push({ ...best.head.product, score: scores.get(best.head.product) });
+    productDedupKeys(best.head.product).forEach(k => seenKeys.add(k));
+    best.q.lastTaken = best.head.index;
+    best.q.pos++;
+  }
+
+  const offsets = {};
+  const done = [];
+  for (const q of queues) {
+    if (q.failed) { offsets[q.id] = q.offset; continue; }
+    const drained = q.pos >= q.items.length;
+    // A drained window skips past trailing filtered-out results too; a short window means no more
+    offsets[q.id] = drained ? q.offset + q.fetched : q.offset + q.lastTaken + 1;
+    if (drained && q.fetched < limit) done.push(q.id);
+  }
+  return { page, offsets, done, duplicates, seen: [...seenKeys].slice(-RETAILER_SEEN_KEYS_MAX) };
+}
@@ -0,0 +1,238 @@
+// lib/storage.js
+// Routes never talk to Airtable directly. Every table is exposed through the same small
+// repository interface, backed either by Airtable or by a local JSON file (STORAGE_BACKEND):
+//
+//   find(id)                                  → { id, fields, createdTime } | null
+//   findMany(ids)                             → [{ id, fields, createdTime }]
+//   list({ where, search, sort, maxRecords }) → [{ id, fields, createdTime }]
+//   count({ where, search })                  → number of matching records
+//   create(fields)                            → { id, fields, createdTime }
+//   update(id, fields)                        → { id, fields, createdTime }   (partial — unspecified fields kept)
+//   destroy(id)
+//
+// `where` is { field: value } (all must match); null matches a blank field and an array matches
+// any of its values. A value can also be an operator object: { in: [...], ignoreCase: true } for a
+// case-insensitive any-of, and gt/gte/lt/lte for ranges (numbers, or Dates for date fields;
+// blank fields never match a range). `search` is { field, text } — case-insensitive substring match.
+// `sort` is [{ field, direction: 'asc' | 'desc' }], same as Airtable's select().
+//
+// Shared by server.js and the scripts/ backfills so both read and write the same store.
+
+import Airtable from 'airtable';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Quotes a value for a single-quoted Airtable formula string (backslash first, so a trailing
+// backslash can't escape the closing quote)
+const esc = (s = '') => String(s).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+
+export const isBlankValue = (v) => v == null || v === '' || (Array.isArray(v) && v.length === 0);
+
+const isOperators = (v) => v != null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date);
+const RANGE_OPS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+export function airtableFormula({ where = {}, search } = {}) {
+  const clauses = Object.entries(where).flatMap(([field, value]) => {
+    const eq = (v) => {
+      if (v == null) return `{${field}}=BLANK()`;
+      if (typeof v === 'number' || typeof v === 'boolean') return `{${field}}=${v}`;
+      return `{${field}}='${esc(v)}'`;
+    };
+    const anyOf = (list, term = eq) => list.length === 1 ? term(list[0]) : `OR(${list.map(term).join(', ')})`;
+    if (Array.isArray(value)) return [anyOf(value)];
+    if (!isOperators(value)) return [eq(value)];
+
+    const out = [];
+    if (value.in) {
+      out.push(value.ignoreCase
+        ? anyOf(value.in, v => `LOWER({${field}})='${esc(String(v).toLowerCase())}'`)
+        : anyOf(value.in));
+    }
+    for (const [op, symbol] of Object.entries(RANGE_OPS)) {
+      const bound = value[op];
+      if (bound == null) continue;
+      if (bound instanceof Date) {
+        // IS_BEFORE/IS_AFTER parse text and date fields alike
+        const iso = `'${bound.toISOString()}'`;
+        out.push({
+          gt: `IS_AFTER({${field}}, ${iso})`, gte: `NOT(IS_BEFORE({${field}}, ${iso}))`,
+          lt: `IS_BEFORE({${field}}, ${iso})`, lte: `NOT(IS_AFTER({${field}}, ${iso}))`,
+        }[op]);
+      } else {
+        out.push(`{${field}}${symbol}${Number(bound)}`);
+      }
+    }
+    return out;
+  });
+  if (search?.text) clauses.push(`FIND('${esc(String(search.text).toLowerCase())}', LOWER({${search.field}}))`);
+  if (!clauses.length) return '';
+  return clauses.length === 1 ? clauses[0] : `AND(${clauses.join(', ')})`;
+}
+
+export function createAirtableTable(base, tableName) {
+  const table = base(tableName);
+  const wrap = (r) => ({ id: r.id, fields: r.fields, createdTime: r._rawJson?.createdTime ?? null });
+  return {
+    async find(id) {
+      try { return wrap(await table.find(id)); }
+      catch (e) {
+        if (e?.statusCode === 404 || e?.error === 'NOT_FOUND') return null;
+        throw e;
+      }
+    },
+    async findMany(ids = []) {
+      const out = [];
+      for (let i = 0; i < ids.length; i += 10) {
+        const batch = ids.slice(i, i + 10);
+        const formula = `OR(${batch.map(id => `RECORD_ID() = '${esc(id)}'`).join(', ')})`;
+        const page = await table.select({ filterByFormula: formula }).all();
+        out.push(...page.map(wrap));
+      }
+      return out;
+    },
+    async list({ where, search, sort, maxRecords } = {}) {
+      // Airtable pageSize must be <= 100; maxRecords caps the total fetched
+      const cfg = { pageSize: 100 };
+      const formula = airtableFormula({ where, search });
+      if (formula) cfg.filterByFormula = formula;
+      if (maxRecords) { cfg.maxRecords = maxRecords; cfg.pageSize = Math.min(maxRecords, 100); }
+      if (sort?.length) cfg.sort = sort;
+      return (await table.select(cfg).all()).map(wrap);
+    },
+    async count({ where, search } = {}) {
+      // No field values needed, just the matching ids
+      const cfg = { pageSize: 100, fields: [] };
+      const formula = airtableFormula({ where, search });
+      if (formula) cfg.filterByFormula = formula;
+      return (await table.select(cfg).all()).length;
+    },
+    async create(fields) {
+      const [r] = await table.create([{ fields }], { typecast: true });
+      return wrap(r);
+    },
+    async update(id, fields) {
+      const [r] = await table.update([{ id, fields }], { typecast: true });
+      return wrap(r);
+    },
+    async destroy(id) {
+      await table.destroy(id);
+    },
+  };
+}
+
+// Local backend: every table lives in one JSON document, loaded at boot and rewritten
+// (atomically, one write at a time) after each mutation. Ids mimic Airtable's "rec…" format.
+export function createLocalDatabase(file) {
+  const inMemory = file === ':memory:';
+  let tables = {};
+  if (!inMemory && fs.existsSync(file)) tables = JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+
+  let writing = Promise.resolve();
+  const persist = () => {
+    if (inMemory) return writing;
+    const snapshot = JSON.stringify(tables, null, 2);
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, snapshot);
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    return writing;
+  };
+
+  const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const newId = () => 'rec' + Array.from(crypto.randomBytes(14), b => ID_CHARS[b % ID_CHARS.length]).join('');
+
+  const inRange = (actual, ops) => Object.keys(RANGE_OPS).every((op) => {
+    const bound = ops[op];
+    if (bound == null) return true;
+    if (isBlankValue(actual)) return false;
+    const [x, y] = bound instanceof Date ? [Date.parse(actual), bound.getTime()] : [Number(actual), Number(bound)];
+    if (Number.isNaN(x)) return false;
+    return op === 'gt' ? x > y : op === 'gte' ? x >= y : op === 'lt' ? x < y : x <= y;
+  });
+
+  const matches = (fields, { where = {}, search } = {}) => {
+    for (const [field, expected] of Object.entries(where)) {
+      const actual = fields[field];
+      if (isOperators(expected)) {
+        const fold = (v) => expected.ignoreCase ? String(v ?? '').toLowerCase() : String(v ?? '');
+        if (expected.in && !expected.in.some(v => fold(v) === fold(actual))) return false;
+        if (!inRange(actual, expected)) return false;
+        continue;
+      }
+      const options = Array.isArray(expected) ? expected : [expected];
+      const ok = options.some(v => v == null ? isBlankValue(actual) : String(actual ?? '') === String(v));
+      if (!ok) return false;
+    }
+    if (search?.text && !String(fields[search.field] ?? '').toLowerCase().includes(String(search.text).toLowerCase())) return false;
+    return true;
+  };
+
+  const compareBy = (sort = []) => (a, b) => {
+    for (const { field, direction = 'asc' } of sort) {
+      const x = a.fields[field], y = b.fields[field];
+      if (x === y) continue;
+      if (x == null) return 1;
+      if (y == null) return -1;
+      const cmp = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+      if (cmp) return direction === 'desc' ? -cmp : cmp;
+    }
+    return 0;
+  };
+
+  return (tableName) => {
+    const rows = () => (tables[tableName] ??= []);
+    const copy = (r) => ({ id: r.id, fields: structuredClone(r.fields), createdTime: r.createdTime ?? null });
+    return {
+      async find(id) {
+        const r = rows().find(x => x.id === id);
+        return r ? copy(r) : null;
+      },
+      async findMany(ids = []) {
+        const wanted = new Set(ids);
+        return rows().filter(r => wanted.has(r.id)).map(copy);
+      },
+      async list({ where, search, sort, maxRecords } = {}) {
+        let out = rows().filter(r => matches(r.fields, { where, search }));
+        if (sort?.length) out = [...out].sort(compareBy(sort));
+        if (maxRecords) out = out.slice(0, maxRecords);
+        return out.map(copy);
+      },
+      async count({ where, search } = {}) {
+        return rows().filter(r => matches(r.fields, { where, search })).length;
+      },
+      async create(fields) {
+        const r = { id: newId(), createdTime: new Date().toISOString(), fields: structuredClone(fields) };
+        rows().push(r);
+        await persist();
+        return copy(r);
+      },
+      async update(id, fields) {
+        const r = rows().find(x => x.id === id);
+        if (!r) throw Object.assign(new Error(`Record ${id} not found in ${tableName}`), { status: 404, code: 'NOT_FOUND' });
+        Object.assign(r.fields, structuredClone(fields));
+        await persist();
+        return copy(r);
+      },
+      async destroy(id) {
+        const list = rows();
+        const idx = list.findIndex(x => x.id === id);
+        if (idx === -1) throw Object.assign(new Error(`Record ${id} not found in ${tableName}`), { status: 404, code: 'NOT_FOUND' });
+        list.splice(idx, 1);
+        await persist();
+      },
+    };
+  };
+}
+
+// One repository per table. `tables` maps the names code uses (closet, orders, …) to the
+// Airtable table names, e.g. { closet: 'Clothing Items' }.
+export function createDatabase({ backend = 'airtable', localPath, airtableApiKey, airtableBaseId, tables }) {
+  if (backend === 'local') {
+    const table = createLocalDatabase(localPath === ':memory:' ? localPath : path.resolve(localPath));
+    return Object.fromEntries(Object.entries(tables).map(([key, name]) => [key, table(name)]));
+  }
+  const base = new Airtable({ apiKey: airtableApiKey }).base(airtableBaseId);
+  return Object.fromEntries(Object.entries(tables).map(([key, name]) => [key, createAirtableTable(base, name)]));
+}
@@ -0,0 +1,150 @@
+// scripts/populateItemAttributes.js
+// One-time batch script: infers the structured item attributes (Warmth, Formality,
+// Seasons, Fabric, Pattern) for all closet items missing any of them.
+// Only blank fields are written, so values users set themselves are kept.
+// Reads and writes through the same storage as the server (STORAGE_BACKEND / LOCAL_DB_PATH);
+// with the local backend, stop the server first — it keeps the JSON file in memory.
+//
+// Usage:
+//   node scripts/populateItemAttributes.js            # items missing an attribute
+//   node scripts/populateItemAttributes.js --dry-run  # print what would be written
+
+import 'dotenv/config';
+import OpenAI from 'openai';
+import { ITEM_PATTERNS, normalizeItemAttributes } from '../lib/itemAttributes.js';
+import { createDatabase, isBlankValue as isBlank } from '../lib/storage.js';
+
+const {
+  STORAGE_BACKEND = 'airtable',
+  LOCAL_DB_PATH = '.data/outfitted-db.json',
+  AIRTABLE_API_KEY,
+  AIRTABLE_BASE_ID,
+  AIRTABLE_TABLE_CLOSET = 'Clothing Items',
+  OPENAI_API_KEY,
+  OPENAI_MODEL = 'gpt-4o-mini',
+  CLOSET_NAME_FIELD      = 'Item Name',
+  CLOSET_CATEGORY_FIELD  = 'Category',
+  CLOSET_COLOR_FIELD     = 'Color',
+  CLOSET_WARMTH_FIELD    = 'Warmth',
+  CLOSET_FORMALITY_FIELD = 'Formality',
+  CLOSET_SEASONS_FIELD   = 'Seasons',
+  CLOSET_FABRIC_FIELD    = 'Fabric',
+  CLOSET_PATTERN_FIELD   = 'Pattern',
+} = process.env;
+
+const STORAGE = String(STORAGE_BACKEND).toLowerCase();
+if (!['airtable', 'local'].includes(STORAGE)) {
+  console.error(`[attributes] ERROR: unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (use airtable or local)`);
+  process.exit(1);
+}
+if (STORAGE === 'airtable' && (!AIRTABLE_API_KEY || !AIRTABLE_BASE_ID)) {
+  console.error('[attributes] ERROR: AIRTABLE_API_KEY and AIRTABLE_BASE_ID must be set in .env (or STORAGE_BACKEND=local)');
+  process.exit(1);
+}
+if (!OPENAI_API_KEY) {
+  console.error('[attributes] ERROR: OPENAI_API_KEY must be set in .env');
+  process.exit(1);
+}
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const db = createDatabase({
+  backend: STORAGE,
+  localPath: LOCAL_DB_PATH,
+  airtableApiKey: AIRTABLE_API_KEY,
+  airtableBaseId: AIRTABLE_BASE_ID,
+  tables: { closet: AIRTABLE_TABLE_CLOSET },
+});
+const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+
+const FIELDS = {
+  warmth:    CLOSET_WARMTH_FIELD,
+  formality: CLOSET_FORMALITY_FIELD,
+  seasons:   CLOSET_SEASONS_FIELD,
+  fabric:    CLOSET_FABRIC_FIELD,
+  pattern:   CLOSET_PATTERN_FIELD,
+};
+const DELAY_MS = 500;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function generateAttributes({ name, category, color }) {
+  const prompt = `You are a fashion stylist. Given this clothing item, provide:
+1. warmth: 1-5 (1 = very light like a tank top, 5 = heavy winter coat)
+2. formality: 1-5 (1 = loungewear/gym, 2 = casual, 3 = smart casual, 4 = business, 5 = black tie)
+3. seasons: the seasons it suits, from ["spring", "summer", "fall", "winter"]
+4. fabric: its most likely main fabric in one or two words (e.g. 'cotton', 'wool blend')
+5. pattern: one of ${ITEM_PATTERNS.join(', ')}
+
+Item: ${name}, Category: ${category}, Color: ${color}
+
+Respond ONLY with valid JSON: { "warmth": 1, "formality": 1, "seasons": [], "fabric": "...", "pattern": "..." }`;
+
+  const resp = await openai.chat.completions.create({
+    model: OPENAI_MODEL,
+    temperature: 0.3,
+    messages: [{ role: 'user', content: prompt }],
+  });
+
+  const text = resp.choices?.[0]?.message?.content || '';
+  const clean = text.replace(/```json|```/g, '').trim();
+  const a = clean.indexOf('{'), b = clean.lastIndexOf('}');
+  if (a === -1 || b === -1) throw new Error(`Non-JSON response: ${text.slice(0, 200)}`);
+  return JSON.parse(clean.slice(a, b + 1));
+}
+
+async function main() {
+  console.log(`[attributes] Fetching all closet items (${STORAGE} storage)…${DRY_RUN ? ' (dry run)' : ''}`);
+
+  const allRecords = await db.closet.list();
+  console.log(`[attributes] Total records found: ${allRecords.length}`);
+
+  const needsUpdate = allRecords.filter(r => Object.values(FIELDS).some(f => isBlank(r.fields[f])));
+
+  console.log(`[attributes] Items missing an attribute: ${needsUpdate.length} (${allRecords.length - needsUpdate.length} already complete, skipping)`);
+
+  if (needsUpdate.length === 0) {
+    console.log('[attributes] Nothing to do — all items already have attributes.');
+    return;
+  }
+
+  let done = 0, failed = 0;
+
+  for (let i = 0; i < needsUpdate.length; i++) {
+    const r        = needsUpdate[i];
+    const name     = r.fields[CLOSET_NAME_FIELD]     || r.fields['Name']  || r.fields['Title'] || 'Unknown';
+    const category = r.fields[CLOSET_CATEGORY_FIELD] || '';
+    const color    = r.fields[CLOSET_COLOR_FIELD]    || '';
+    const label    = `${name} (${category}${color ? ', ' + color : ''})`;
+
+    process.stdout.write(`[attributes] item ${i + 1} of ${needsUpdate.length}: ${label} → `);
+
+    try {
+      const attrs = normalizeItemAttributes(await generateAttributes({ name, category, color }));
+      // Only fill blanks — never overwrite what the user set
+      const fields = {};
+      for (const [key, value] of Object.entries(attrs)) {
+        if (isBlank(r.fields[FIELDS[key]])) fields[FIELDS[key]] = value;
+      }
+
+      if (!DRY_RUN && Object.keys(fields).length) {
+        await db.closet.update(r.id, fields);
+      }
+
+      console.log(`${DRY_RUN ? 'would write' : 'done'}  ${JSON.stringify(fields)}`);
+      done++;
+    } catch (err) {
+      console.log(`FAILED — ${err.message}`);
+      failed++;
+    }
+
+    if (i < needsUpdate.length - 1) await sleep(DELAY_MS);
+  }
+
+  console.log(`\n[attributes] Finished. ${done} ${DRY_RUN ? 'checked' : 'updated'}, ${failed} failed, ${allRecords.length - needsUpdate.length} skipped.`);
+}
+
+main().catch(err => {
+  console.error('[attributes] Fatal error:', err);
+  process.exit(1);
+});
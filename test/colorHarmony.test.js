@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseColor, harmonyScore, outfitPalette, pickHarmoniousOutfit } from '../lib/colorHarmony.js';
+
+const harmonyOf = (...texts) => harmonyScore(texts.map(parseColor));
+
+test('parseColor reads names, shades and hex codes', () => {
+  assert.equal(parseColor('Navy').name, 'navy');
+  assert.equal(parseColor('Navy').neutral, true);
+  assert.equal(parseColor('olive green/cream').name, 'olive green');
+  assert.ok(parseColor('light blue').l > parseColor('blue').l);
+  assert.equal(parseColor('#C0FFEE').hex, '#c0ffee');
+  assert.equal(parseColor('#ffffff').neutral, true);
+  assert.equal(parseColor('sparkly'), null);
+});
+
+test('harmonyScore names the scheme of known color sets', () => {
+  assert.deepEqual(harmonyOf('black', 'white'), { score: 0.8, scheme: 'neutral' });
+  assert.deepEqual(harmonyOf('navy', 'charcoal'), { score: 0.7, scheme: 'neutral' });
+  assert.deepEqual(harmonyOf('white', 'denim', 'red'), { score: 0.9, scheme: 'accent' });
+  assert.deepEqual(harmonyOf('blue', 'light blue', 'white'), { score: 0.9, scheme: 'monochrome' });
+  assert.deepEqual(harmonyOf('green', 'teal'), { score: 0.8, scheme: 'analogous' });
+  assert.deepEqual(harmonyOf('orange', 'blue', 'white'), { score: 0.75, scheme: 'complementary' });
+  assert.deepEqual(harmonyOf('red', 'green', 'purple'), { score: 0.25, scheme: 'clash' });
+  assert.deepEqual(harmonyOf('red'), { score: 0.6, scheme: 'unknown' });
+});
+
+test('pickHarmoniousOutfit prefers the combination that goes together', () => {
+  const tops    = [{ id: 't1', color: 'red' }, { id: 't2', color: 'white' }];
+  const bottoms = [{ id: 'b1', color: 'green' }, { id: 'b2', color: 'navy' }];
+  const shoes   = [{ id: 's1', color: 'purple' }, { id: 's2', color: 'black' }];
+  const { items, harmony } = pickHarmoniousOutfit([tops, bottoms, shoes]);
+  assert.ok(harmony.score >= 0.88, `got ${harmony.score} (${harmony.scheme})`);
+  const accents = outfitPalette(items).filter(c => !['white', 'navy', 'black'].includes(c));
+  assert.ok(accents.length <= 1, `accents: ${accents.join(', ')}`);
+});
+
+test('pickHarmoniousOutfit skips empty pools', () => {
+  assert.deepEqual(pickHarmoniousOutfit([]), { items: [], harmony: { score: 0.6, scheme: 'unknown' } });
+  const { items } = pickHarmoniousOutfit([[{ id: 'a', color: 'black' }], [], null]);
+  assert.deepEqual(items.map(i => i.id), ['a']);
+});
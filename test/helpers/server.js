@@ -0,0 +1,65 @@
+// Boots server.js in-process for route tests. The server reads its config from the environment
+// at import, so each test file calls startServer() once, before anything else touches it. To run
+// another configuration next to it, pass `instance`: a separate copy of the module is loaded.
+// An env value of undefined removes the variable.
+import crypto from 'crypto';
+import { once } from 'events';
+
+export const API_KEY = 'test-api-key';
+export const ADMIN_KEY = 'test-admin-key';
+
+// A service account firebase-admin accepts offline (it only signs with the key; nothing is fetched
+// until a route calls Firebase, which tests stub)
+export function firebaseEnv() {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return {
+    FIREBASE_PROJECT_ID: 'outfitted-test',
+    FIREBASE_CLIENT_EMAIL: 'tests@outfitted-test.iam.gserviceaccount.com',
+    FIREBASE_PRIVATE_KEY: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  };
+}
+
+export async function startServer(env = {}, { instance } = {}) {
+  const settings = {
+    STORAGE_BACKEND: 'local',
+    LOCAL_DB_PATH: ':memory:',
+    SKIP_OPENAI: 'true',
+    OPENAI_API_KEY: 'test',
+    API_KEY,
+    ADMIN_API_KEY: ADMIN_KEY,
+    AUTH_MODE: 'compat',
+    RETAILER_PROVIDERS: '',
+    LOG_LEVEL: 'silent',
+    ...env,
+  };
+  for (const [key, value] of Object.entries(settings)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  const { app, db } = await import(instance ? `../../server.js?${instance}` : '../../server.js');
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // api('POST', '/api/closet', { body, userId, headers }) → { status, body }
+  const api = async (method, url, { body, userId, headers = {} } = {}) => {
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        'x-api-key': API_KEY,
+        ...(userId ? { 'x-user-id': userId } : {}),
+        ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return { app, db, base, api, close };
+}
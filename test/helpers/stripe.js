@@ -0,0 +1,64 @@
+// A stand-in for api.stripe.com (point STRIPE_API_BASE at it): records every call the server makes
+// and answers the endpoints payouts and refunds use. Webhook events are signed like Stripe's.
+import fs from 'fs';
+import http from 'http';
+import { once } from 'events';
+import Stripe from 'stripe';
+
+export const WEBHOOK_SECRET = 'whsec_test_secret';
+
+export const loadStripeFixture = (name) =>
+  JSON.parse(fs.readFileSync(new URL(`../fixtures/stripe/${name}.json`, import.meta.url), 'utf8'));
+
+// stub.failing.add('GET /v1/refunds') makes that endpoint answer with a Stripe error until removed
+export async function startStripeStub() {
+  const calls = [];
+  const failing = new Set();
+  let seq = 0;
+  const routes = [
+    ['POST', /^\/v1\/transfers$/, (p) => ({ id: `tr_test_${++seq}`, object: 'transfer', amount: Number(p.amount), currency: p.currency, destination: p.destination })],
+    ['POST', /^\/v1\/transfers\/([^/]+)\/reversals$/, (p, [, transfer]) => ({ id: `trr_test_${++seq}`, object: 'transfer_reversal', transfer })],
+    ['POST', /^\/v1\/refunds$/, (p) => ({ id: `re_test_${++seq}`, object: 'refund', payment_intent: p.payment_intent, amount: p.amount ? Number(p.amount) : null, status: 'succeeded' })],
+    ['GET', /^\/v1\/refunds$/, (p) => ({ object: 'list', url: '/v1/refunds', has_more: false, data: [{ id: `re_for_${p.charge}`, object: 'refund', charge: p.charge, status: 'succeeded' }] })],
+  ];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://stripe.test');
+      const params = Object.fromEntries(new URLSearchParams(req.method === 'GET' ? url.search : raw));
+      calls.push({ method: req.method, path: url.pathname, params, idempotencyKey: req.headers['idempotency-key'] ?? null });
+      const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+      res.setHeader('content-type', 'application/json');
+      if (failing.has(`${req.method} ${url.pathname}`)) {
+        res.statusCode = 400;
+        return res.end(JSON.stringify({ error: { type: 'invalid_request_error', message: 'Stubbed failure' } }));
+      }
+      if (!route) {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ error: { type: 'invalid_request_error', message: `Unrecognized request URL (${req.method}: ${url.pathname})` } }));
+      }
+      res.end(JSON.stringify(route[2](params, url.pathname.match(route[1]))));
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    failing,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// POSTs `event` to the server's webhook endpoint with a valid Stripe-Signature
+export async function deliverWebhook(base, event, secret = WEBHOOK_SECRET) {
+  const payload = JSON.stringify(event);
+  const res = await fetch(`${base}/api/payments/webhook`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'stripe-signature': Stripe.webhooks.generateTestHeaderString({ payload, secret }) },
+    body: payload,
+  });
+  return { status: res.status, body: await res.json() };
+}
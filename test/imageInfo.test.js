@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sniffImage } from '../lib/imageInfo.js';
+
+function png(width, height) {
+  const buf = Buffer.alloc(33);
+  buf.writeUInt32BE(0x89504e47, 0);
+  buf.writeUInt32BE(0x0d0a1a0a, 4);
+  buf.writeUInt32BE(13, 8);
+  buf.write('IHDR', 12, 'ascii');
+  buf.writeUInt32BE(width, 16);
+  buf.writeUInt32BE(height, 20);
+  return buf;
+}
+
+// SOI, an APP0 segment to skip over, then a baseline frame header (SOF0)
+function jpeg(width, height, sof = 0xc0) {
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x10, ...Buffer.from('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+  const frame = Buffer.alloc(19);
+  frame.writeUInt16BE(0xff00 | sof, 0);
+  frame.writeUInt16BE(17, 2);
+  frame[4] = 8;
+  frame.writeUInt16BE(height, 5);
+  frame.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, frame]);
+}
+
+function webp(chunk, body) {
+  const head = Buffer.alloc(20);
+  head.write('RIFF', 0, 'ascii');
+  head.writeUInt32LE(12 + body.length, 4);
+  head.write('WEBP', 8, 'ascii');
+  head.write(chunk, 12, 'ascii');
+  head.writeUInt32LE(body.length, 16);
+  return Buffer.concat([head, body]);
+}
+
+test('reads PNG dimensions', () => {
+  assert.deepEqual(sniffImage(png(800, 1200)), { format: 'png', width: 800, height: 1200 });
+});
+
+test('walks JPEG segments to the frame header', () => {
+  assert.deepEqual(sniffImage(jpeg(1024, 768)), { format: 'jpeg', width: 1024, height: 768 });
+  assert.deepEqual(sniffImage(jpeg(640, 480, 0xc2)), { format: 'jpeg', width: 640, height: 480 });
+});
+
+test('reads lossy, lossless and extended WebP dimensions', () => {
+  const vp8 = Buffer.alloc(10);
+  vp8.set([0x9d, 0x01, 0x2a], 3);
+  vp8.writeUInt16LE(900, 6);
+  vp8.writeUInt16LE(600, 8);
+  assert.deepEqual(sniffImage(webp('VP8 ', vp8)), { format: 'webp', width: 900, height: 600 });
+
+  const vp8l = Buffer.alloc(10);
+  vp8l[0] = 0x2f;
+  vp8l.writeUInt32LE((700 - 1) | ((500 - 1) << 14), 1);
+  assert.deepEqual(sniffImage(webp('VP8L', vp8l)), { format: 'webp', width: 700, height: 500 });
+
+  const vp8x = Buffer.alloc(10);
+  vp8x.writeUIntLE(2000 - 1, 4, 3);
+  vp8x.writeUIntLE(3000 - 1, 7, 3);
+  assert.deepEqual(sniffImage(webp('VP8X', vp8x)), { format: 'webp', width: 2000, height: 3000 });
+});
+
+test('returns null for anything else', () => {
+  assert.equal(sniffImage(Buffer.from('GIF89a\x01\x00\x01\x00')), null);
+  assert.equal(sniffImage(Buffer.alloc(0)), null);
+  assert.equal(sniffImage(Buffer.from([0xff, 0xd8, 0xff])), null);
+});
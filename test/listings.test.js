@@ -0,0 +1,83 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const server = await startServer();
+after(() => server.close());
+
+// Stored out of order, with price ties, so the route can't lean on insertion order
+const LISTINGS = [
+  ['Wool coat',       90, 'Outerwear', 'used', 'Warm and heavy'],
+  ['Linen shirt',     25, 'Tops',      'new',  'Breathable linen'],
+  ['Denim jacket',    40, 'Outerwear', 'good', 'Classic denim'],
+  ['Plain tee',       10, 'tops',      'new',  'Cotton basic'],
+  ['Striped shirt',   25, 'Tops',      'used', 'Navy stripes'],
+  ['Oxford shirt',    25, 'Tops',      'good', 'Button-down cotton'],
+  ['Chinos',          35, 'Bottoms',   'good', 'Slim cotton chinos'],
+  ['Silk shirt',      25, 'Tops',      'new',  'Cream silk'],
+  ['Trench coat',     120, 'Outerwear', 'new', 'Waterproof cotton'],
+];
+for (const [i, [name, price, category, condition, description]] of LISTINGS.entries()) {
+  await server.db.listings.create({
+    'Name': name, 'Price': price, 'Category': category, 'Condition': condition, 'Description': description,
+    'Status': 'Active', 'Seller ID': i % 2 ? 's1' : 's2',
+    'Created At': new Date(Date.UTC(2025, 0, 1 + ((i * 5) % LISTINGS.length))).toISOString(),
+  });
+}
+await server.db.listings.create({ 'Name': 'Sold shirt', 'Price': 25, 'Category': 'Tops', 'Status': 'Sold', 'Created At': new Date().toISOString() });
+
+async function allPages(query) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const { status, body } = await server.api('GET', `/api/listings?${query}${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(status, 200);
+    pages.push(body);
+    cursor = body.nextCursor;
+  } while (cursor && pages.length < 20);
+  return pages;
+}
+
+test('filters on category (any case), condition and price range', async () => {
+  const { body } = await server.api('GET', '/api/listings?category=TOPS,bottoms&condition=new,good&minPrice=20&maxPrice=35&sort=price_asc');
+  assert.deepEqual(body.items.map(l => l.name).sort(), ['Chinos', 'Linen shirt', 'Oxford shirt', 'Silk shirt']);
+  assert.equal(body.total, 4);
+  assert.deepEqual(body.items.map(l => l.price), [25, 25, 25, 35]);
+});
+
+test('paging by price walks through ties without repeats or gaps', async () => {
+  for (const sort of ['price_asc', 'price_desc']) {
+    const pages = await allPages(`sort=${sort}&limit=2`);
+    const items = pages.flatMap(p => p.items);
+    assert.equal(items.length, LISTINGS.length, sort);
+    assert.equal(new Set(items.map(l => l.id)).size, LISTINGS.length, sort);
+    const prices = items.map(l => l.price);
+    assert.deepEqual(prices, [...prices].sort((a, b) => sort === 'price_asc' ? a - b : b - a));
+    assert.ok(pages.every(p => p.total === LISTINGS.length));
+    assert.equal(pages.at(-1).hasMore, false);
+  }
+});
+
+test('newest first by default', async () => {
+  const items = (await allPages('limit=4')).flatMap(p => p.items);
+  const dates = items.map(l => l.createdAt);
+  assert.deepEqual(dates, [...dates].sort().reverse());
+  assert.equal(items.length, LISTINGS.length);
+});
+
+test('free-text q matches every term over name and description, and pages', async () => {
+  const pages = await allPages('q=cotton%20shirt&sort=price_asc&limit=1');
+  assert.deepEqual(pages.flatMap(p => p.items).map(l => l.name), ['Oxford shirt']);
+
+  const cotton = await allPages('q=COTTON&sort=price_desc&limit=2');
+  assert.deepEqual(cotton.flatMap(p => p.items).map(l => l.name), ['Trench coat', 'Chinos', 'Oxford shirt', 'Plain tee']);
+  assert.ok(cotton.every(p => p.total === 4));
+});
+
+test('a cursor only works with the sort it was issued for', async () => {
+  const { body } = await server.api('GET', '/api/listings?sort=price_asc&limit=1');
+  const res = await server.api('GET', `/api/listings?sort=newest&cursor=${body.nextCursor}`);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, 'BAD_CURSOR');
+  assert.equal((await server.api('GET', '/api/listings?cursor=nonsense')).body.error.code, 'BAD_CURSOR');
+});
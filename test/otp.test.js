@@ -0,0 +1,106 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import admin from 'firebase-admin';
+import { startServer, firebaseEnv, ADMIN_KEY } from './helpers/server.js';
+
+const server = await startServer({
+  ...firebaseEnv(),
+  SMS_PROVIDER: 'console',
+  SMS_DEBUG_OUTBOX: 'true',
+  OTP_STORE: 'memory',
+  OTP_TTL_SEC: '2',
+  OTP_MAX_ATTEMPTS: '3',
+  OTP_LOCKOUT_SEC: '900',
+  OTP_RESEND_COOLDOWN_SEC: '60',
+});
+after(() => server.close());
+
+// Signing in looks the number up in Firebase Auth; keep that offline
+mock.method(admin.auth(), 'getUserByPhoneNumber', async (phoneNumber) => ({ uid: `uid-${phoneNumber.slice(-4)}` }));
+mock.method(admin.auth(), 'createCustomToken', async (uid) => `custom-token-for-${uid}`);
+
+let nextNumber = 1000;
+const newPhone = () => `+1555000${nextNumber++}`;
+
+const sendCode = (phoneNumber) => server.api('POST', '/api/auth/send-code', { body: { phoneNumber } });
+const verify = (phoneNumber, code) => server.api('POST', '/api/auth/verify-code', { body: { phoneNumber, code } });
+
+async function textedCode(phoneNumber) {
+  const { body } = await server.api('GET', '/api/debug/sms-outbox', { headers: { 'x-admin-key': ADMIN_KEY } });
+  const sms = body.messages.filter(m => m.to === phoneNumber).at(-1);
+  return sms.body.match(/\b(\d{6})\b/)[1];
+}
+const wrongCode = (code) => String((Number(code) + 1) % 1_000_000).padStart(6, '0');
+
+test('the right code signs in once', async () => {
+  const phone = newPhone();
+  assert.equal((await sendCode(phone)).status, 200);
+  const code = await textedCode(phone);
+  const ok = await verify(phone, code);
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.customToken, `custom-token-for-uid-${phone.slice(-4)}`);
+  assert.equal((await verify(phone, code)).body.error.code, 'OTP_NOT_FOUND');
+});
+
+test('wrong codes lock the number after OTP_MAX_ATTEMPTS', async () => {
+  const phone = newPhone();
+  await sendCode(phone);
+  const code = await textedCode(phone);
+
+  const first = await verify(phone, wrongCode(code));
+  assert.equal(first.status, 400);
+  assert.deepEqual(first.body.error.details, { attemptsRemaining: 2 });
+  assert.equal((await verify(phone, wrongCode(code))).body.error.details.attemptsRemaining, 1);
+
+  const locked = await verify(phone, wrongCode(code));
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.error.code, 'OTP_LOCKED');
+  assert.ok(Number(locked.headers.get('retry-after')) > 890);
+
+  // The right code is burned, and no new one can be sent until the lockout ends
+  assert.equal((await verify(phone, code)).body.error.code, 'OTP_LOCKED');
+  const resend = await sendCode(phone);
+  assert.equal(resend.status, 429);
+  assert.equal(resend.body.error.code, 'OTP_LOCKED');
+});
+
+test('a new code can only be sent after the resend cooldown', async () => {
+  const phone = newPhone();
+  const sent = await sendCode(phone);
+  assert.deepEqual(sent.body, { success: true, expiresIn: 2, resendAfter: 60 });
+  const again = await sendCode(phone);
+  assert.equal(again.status, 429);
+  assert.equal(again.body.error.code, 'OTP_RESEND_COOLDOWN');
+  assert.ok(Number(again.headers.get('retry-after')) > 55);
+});
+
+test('codes expire after OTP_TTL_SEC', async () => {
+  const phone = newPhone();
+  await sendCode(phone);
+  const code = await textedCode(phone);
+  await new Promise(resolve => setTimeout(resolve, 2100));
+  const late = await verify(phone, code);
+  assert.equal(late.status, 400);
+  assert.equal(late.body.error.code, 'OTP_EXPIRED');
+  // Expiring the code doesn't reset the resend cooldown
+  assert.equal((await sendCode(phone)).body.error.code, 'OTP_RESEND_COOLDOWN');
+});
+
+test('the outbox is admin-only', async () => {
+  assert.equal((await server.api('GET', '/api/debug/sms-outbox')).status, 401);
+});
+
+test('OTP_STORE=db refuses to start without OTP_SECRET', async () => {
+  const saved = { OTP_STORE: process.env.OTP_STORE, OTP_SECRET: process.env.OTP_SECRET };
+  Object.assign(process.env, { OTP_STORE: 'db' });
+  delete process.env.OTP_SECRET;
+  try {
+    // A query string loads a fresh copy of the module, which reads the environment again
+    await assert.rejects(import('../server.js?otp-store-db'), /OTP_STORE=db needs OTP_SECRET/);
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+});
@@ -0,0 +1,48 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, firebaseEnv, ADMIN_KEY } from './helpers/server.js';
+
+// OTP_STORE=db: codes live in the storage backend, where every read and write is a round trip
+const server = await startServer({
+  ...firebaseEnv(),
+  SMS_PROVIDER: 'console',
+  SMS_DEBUG_OUTBOX: 'true',
+  OTP_STORE: 'db',
+  OTP_SECRET: 'test-otp-secret',
+  OTP_MAX_ATTEMPTS: '3',
+});
+after(() => server.close());
+
+// Make the round trips real so parallel requests interleave the way they do against Airtable
+const list = server.db.otp.list;
+mock.method(server.db.otp, 'list', async (...args) => {
+  await new Promise(resolve => setTimeout(resolve, 5));
+  return list(...args);
+});
+
+const phone = '+15550002000';
+
+async function textedCode() {
+  const { body } = await server.api('GET', '/api/debug/sms-outbox', { headers: { 'x-admin-key': ADMIN_KEY } });
+  return body.messages.filter(m => m.to === phone).at(-1).body.match(/\b(\d{6})\b/)[1];
+}
+
+test('stored codes are hashed', async () => {
+  assert.equal((await server.api('POST', '/api/auth/send-code', { body: { phoneNumber: phone } })).status, 200);
+  const code = await textedCode();
+  const [record] = await server.db.otp.list({ where: { Phone: phone } });
+  assert.match(record.fields['Code Hash'], /^[0-9a-f]{64}$/);
+  assert.ok(!JSON.stringify(record.fields).includes(code));
+});
+
+test('parallel guesses are counted one at a time', async () => {
+  const code = await textedCode();
+  const wrong = String((Number(code) + 1) % 1_000_000).padStart(6, '0');
+  const guesses = await Promise.all(Array.from({ length: 10 }, () =>
+    server.api('POST', '/api/auth/verify-code', { body: { phoneNumber: phone, code: wrong } })));
+  const codes = guesses.map(g => g.body.error.code);
+  assert.equal(codes.filter(c => c === 'OTP_INVALID').length, 2);
+  assert.equal(codes.filter(c => c === 'OTP_LOCKED').length, 8);
+  const [record] = await server.db.otp.list({ where: { Phone: phone } });
+  assert.equal(record.fields['Attempts'], 3);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeRetailerPage } from '../lib/retailerFeed.js';
+
+const product = (retailer, id, name, price, extra = {}) =>
+  ({ id, retailer, name, brand: 'Acme', price, imageUrl: `https://img.example.com/${retailer}/${id}.jpg`, ...extra });
+
+const CATALOGS = {
+  ebay: Array.from({ length: 12 }, (_, i) => product('ebay', `e${i}`, `Linen shirt ${i}`, 20 + i)),
+  asos: [
+    ...Array.from({ length: 9 }, (_, i) => product('asos', `a${i}`, `Denim jacket ${i}`, 40 + i)),
+    // Same title and brand as an eBay listing: only one of them may ever be shown
+    product('asos', 'dup', 'Linen shirt 3', 23),
+  ],
+};
+
+// What the registry hands mergeRetailerPage: each provider's next window from its cursor offset
+const windows = (offsets, limit) => Object.entries(CATALOGS).map(([id, list]) => {
+  const offset = offsets[id] ?? 0;
+  const raw = list.slice(offset, offset + limit);
+  return { id, offset, fetched: raw.length, items: raw.map((p, index) => ({ product: p, index })) };
+});
+
+const context = { terms: ['linen', 'shirt'], colors: new Set(), tags: new Set(), filters: {} };
+
+const nextPage = (cursor, limit) => mergeRetailerPage({
+  sources: windows(cursor.offsets, limit), limit, sort: 'relevance', context, seen: cursor.seen,
+});
+
+test('the same cursor always returns the same page', () => {
+  const first = nextPage({ offsets: {}, seen: [] }, 5);
+  const cursor = { offsets: first.offsets, seen: first.seen };
+  const a = nextPage(cursor, 5);
+  const b = nextPage(cursor, 5);
+  assert.deepEqual(a.page, b.page);
+  assert.deepEqual(a.offsets, b.offsets);
+});
+
+test('paging through the feed never repeats a product', () => {
+  let cursor = { offsets: {}, seen: [] };
+  const shown = [];
+  for (let i = 0; i < 10; i++) {
+    const { page, offsets, seen } = nextPage(cursor, 5);
+    if (!page.length) break;
+    shown.push(...page);
+    cursor = { offsets: { ...cursor.offsets, ...offsets }, seen };
+  }
+  const keys = shown.map(p => `${p.retailer}:${p.id}`);
+  assert.equal(new Set(keys).size, keys.length);
+  // Every product is shown once, and of the two "Linen shirt 3" listings only one
+  assert.equal(shown.length, CATALOGS.ebay.length + CATALOGS.asos.length - 1);
+  assert.equal(shown.filter(p => p.name === 'Linen shirt 3').length, 1);
+});
+
+test('each provider keeps its own order within the merged page', () => {
+  const { page } = nextPage({ offsets: {}, seen: [] }, 8);
+  for (const retailer of ['ebay', 'asos']) {
+    const ids = page.filter(p => p.retailer === retailer).map(p => p.id);
+    const order = CATALOGS[retailer].map(p => p.id).filter(id => ids.includes(id));
+    assert.deepEqual(ids, order);
+  }
+});
+
+test('price sorts order the page by price', () => {
+  // Both catalogs are in ascending price order, as providers return them for price_asc
+  const { page } = mergeRetailerPage({ sources: windows({}, 6), limit: 6, sort: 'price_asc', context, seen: [] });
+  const prices = page.map(p => p.price);
+  assert.deepEqual(prices, [...prices].sort((a, b) => a - b));
+});
+
+test('price sorts merge window heads, so windows must come sorted', () => {
+  // A provider that ignored the sort: its window is merged in the order it came
+  const unsorted = [30, 10, 20].map((price, i) => product('ebay', `u${i}`, `Wool scarf ${i}`, price));
+  const sorted = [15, 25].map((price, i) => product('asos', `s${i}`, `Silk tie ${i}`, price));
+  const source = (id, list) => ({ id, offset: 0, fetched: list.length, items: list.map((p, index) => ({ product: p, index })) });
+  const { page, offsets } = mergeRetailerPage({
+    sources: [source('ebay', unsorted), source('asos', sorted)], limit: 3, sort: 'price_asc', context, seen: [],
+  });
+  assert.deepEqual(page.map(p => p.price), [15, 25, 30]);
+  // The cheaper eBay items behind the 30 wait for the next page instead of being skipped
+  assert.deepEqual(offsets, { ebay: 1, asos: 2 });
+});
@@ -0,0 +1,94 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const server = await startServer({ RETAILER_PROVIDERS: 'fake, marketplace, nope, asos', RETAILER_DAILY_QUOTAS: 'fake:1000' });
+after(() => server.close());
+const { createRetailerRegistry, RETAILER_PROVIDER_FACTORIES } = await import('../server.js');
+
+// A provider whose upstream is down: every call throws
+const broken = {
+  needs: '',
+  create: () => ({
+    id: 'broken',
+    label: 'Broken Store',
+    async search() { throw new Error('upstream 503'); },
+    async lookup() { throw new Error('upstream 503'); },
+    normalize: (p) => p,
+    async health() { throw new Error('connect ECONNREFUSED'); },
+    quota() { return { remaining: 0 }; },
+  }),
+};
+const registry = (ids, quotas = {}) =>
+  createRetailerRegistry({ ids, quotas, factories: { ...RETAILER_PROVIDER_FACTORIES, broken } });
+
+test('RETAILER_PROVIDERS enables providers; unknown or unconfigured ones are skipped', async () => {
+  const { body } = await server.api('GET', '/api/retailers/providers');
+  // asos needs RAPIDAPI_KEY, and "nope" isn't a provider
+  assert.deepEqual(body.items.map(p => p.id), ['fake', 'marketplace']);
+  assert.deepEqual(registry('').ids(), []);
+  assert.deepEqual(registry('FAKE,,broken').ids(), ['fake', 'broken']);
+});
+
+test('normalize gives every product the shared shape, tagged with its provider', async () => {
+  const { products } = await registry('fake').search({ query: 'linen shirt', limit: 5 });
+  assert.equal(products.length, 5);
+  for (const p of products) {
+    assert.equal(p.provider, 'fake');
+    assert.match(p.id, /^fake-linen-shirt-\d+$/);
+    assert.match(p.name, /linen shirt/);
+    assert.equal(typeof p.price, 'number');
+    assert.match(p.imageUrl, /^https:\/\//);
+    assert.ok(['new', 'used'].includes(p.condition));
+  }
+  // Same query, same products — and a product can be looked up again by its id
+  const again = await registry('fake').search({ query: 'linen shirt', limit: 5 });
+  assert.deepEqual(again.products, products);
+  const found = await registry('fake').lookup('fake', products[2].id);
+  assert.deepEqual(found, { product: products[2], inStock: true });
+});
+
+test('filters the provider cannot apply are applied after normalize; sorts are kept', async () => {
+  const { products } = await registry('fake').search({
+    query: 'denim', limit: 60, filters: { condition: 'used', maxPrice: 100 }, sort: 'price_asc',
+  });
+  assert.ok(products.length > 0);
+  assert.ok(products.every(p => p.condition === 'used' && p.price <= 100));
+  const prices = products.map(p => p.price);
+  assert.deepEqual(prices, [...prices].sort((a, b) => a - b));
+});
+
+test('a failing provider never fails the search', async () => {
+  const result = await registry('broken,fake').search({ query: 'jacket', limit: 4 });
+  assert.equal(result.products.length, 4);
+  assert.ok(result.products.every(p => p.provider === 'fake'));
+  assert.deepEqual(result.bySource, { broken: 0, fake: 4 });
+  assert.deepEqual(result.errors, { broken: 'upstream 503' });
+  assert.deepEqual(result.sources.map(s => [s.id, Boolean(s.failed)]), [['broken', true], ['fake', false]]);
+});
+
+test('status reports health, quota and call stats per provider', async () => {
+  const reg = registry('fake,broken', { fake: 2 });
+  await reg.search({ query: 'hoodie', limit: 3 });
+  const [fake, down] = await reg.status();
+
+  assert.deepEqual(fake.health, { ok: true, detail: 'offline' });
+  assert.deepEqual(fake.quota, { remaining: null, dailyLimit: 2, usedToday: 1 });
+  assert.equal(fake.stats.calls, 1);
+  assert.equal(fake.stats.failures, 0);
+
+  assert.deepEqual(down.health, { ok: false, detail: 'connect ECONNREFUSED' });
+  assert.deepEqual(down.quota, { remaining: 0, dailyLimit: null, usedToday: 1 });
+  assert.equal(down.stats.failures, 1);
+  assert.equal(down.stats.lastError, 'upstream 503');
+});
+
+test('a provider at its daily quota is skipped like a failing one', async () => {
+  const reg = registry('fake', { fake: 1 });
+  assert.equal((await reg.search({ query: 'dress', limit: 2 })).products.length, 2);
+  const capped = await reg.search({ query: 'dress', limit: 2 });
+  assert.deepEqual(capped.products, []);
+  assert.deepEqual(capped.errors, { fake: 'Fake Store daily quota reached' });
+  const [status] = await reg.status();
+  assert.equal(status.quota.usedToday, 1);
+});
@@ -0,0 +1,26 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const server = await startServer();
+after(() => server.close());
+
+test('server.js exports the app and its storage', () => {
+  assert.equal(typeof server.app.listen, 'function');
+  assert.equal(typeof server.db.closet.list, 'function');
+});
+
+test('routes read and write through the local storage backend', async () => {
+  const created = await server.api('POST', '/api/closet', {
+    userId: 'u1', body: { name: 'Navy linen shirt', category: 'Tops', color: 'navy' },
+  });
+  assert.equal(created.status, 201);
+  const stored = await server.db.closet.find(created.body.item.id);
+  assert.equal(stored.fields['User Id'], 'u1');
+
+  const mine = await server.api('GET', '/api/closet?scope=mine', { userId: 'u1' });
+  assert.equal(mine.status, 200);
+  assert.deepEqual(mine.body.data.map(i => i.name), ['Navy linen shirt']);
+  const theirs = await server.api('GET', '/api/closet?scope=mine', { userId: 'u2' });
+  assert.deepEqual(theirs.body.data, []);
+});
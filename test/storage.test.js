@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { airtableFormula, createLocalDatabase, createDatabase } from '../lib/storage.js';
+
+const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'outfitted-db-')), 'db.json');
+
+async function seededListings() {
+  const table = createLocalDatabase(':memory:')('Listings');
+  await table.create({ Title: 'Denim jacket', Status: 'Active', Price: 40, Category: 'Outerwear' });
+  await table.create({ Title: 'Linen shirt', Status: 'Active', Price: 25, Category: 'Tops' });
+  await table.create({ Title: 'Wool coat', Status: 'Sold', Price: 90, Category: 'Outerwear' });
+  await table.create({ Title: 'Plain tee', Status: 'Active', Category: 'Tops' });
+  return table;
+}
+
+test('airtableFormula builds equality, blank, any-of and search clauses', () => {
+  assert.equal(airtableFormula(), '');
+  assert.equal(airtableFormula({ where: { Status: 'Active' } }), "{Status}='Active'");
+  assert.equal(airtableFormula({ where: { Price: 25, Paid: true } }), 'AND({Price}=25, {Paid}=true)');
+  assert.equal(airtableFormula({ where: { 'Laundry Status': null } }), '{Laundry Status}=BLANK()');
+  assert.equal(airtableFormula({ where: { Status: ['Active', 'Reserved'] } }), "OR({Status}='Active', {Status}='Reserved')");
+  assert.equal(airtableFormula({ where: { Status: ['Active'] } }), "{Status}='Active'");
+  assert.equal(
+    airtableFormula({ where: { Status: 'Active' }, search: { field: 'Title', text: 'Denim' } }),
+    "AND({Status}='Active', FIND('denim', LOWER({Title})))",
+  );
+});
+
+test('airtableFormula escapes quotes and backslashes in values', () => {
+  assert.equal(airtableFormula({ where: { Brand: "Levi's" } }), "{Brand}='Levi\\'s'");
+  // A trailing backslash must not swallow the closing quote
+  assert.equal(airtableFormula({ where: { Brand: 'x\\' } }), "{Brand}='x\\\\'");
+  assert.equal(airtableFormula({ where: { Brand: "\\' OR 1" } }), "{Brand}='\\\\\\' OR 1'");
+  assert.equal(airtableFormula({ search: { field: 'Title', text: "it's" } }), "FIND('it\\'s', LOWER({Title}))");
+});
+
+test('airtableFormula builds case-insensitive any-of and range clauses', () => {
+  assert.equal(
+    airtableFormula({ where: { Category: { in: ['Tops', "Men's"], ignoreCase: true } } }),
+    "OR(LOWER({Category})='tops', LOWER({Category})='men\\'s')",
+  );
+  assert.equal(airtableFormula({ where: { Price: { gte: 10, lte: 40 } } }), 'AND({Price}>=10, {Price}<=40)');
+  assert.equal(airtableFormula({ where: { Price: { gt: 5, lte: undefined } } }), '{Price}>5');
+  assert.equal(
+    airtableFormula({ where: { 'Created At': { lte: new Date('2025-03-01T12:00:00Z') } } }),
+    "NOT(IS_AFTER({Created At}, '2025-03-01T12:00:00.000Z'))",
+  );
+});
+
+test('list filters with where and search', async () => {
+  const listings = await seededListings();
+  const titles = async (q) => (await listings.list(q)).map(r => r.fields.Title);
+  assert.deepEqual(await titles({ where: { Status: 'Active', Category: 'Tops' } }), ['Linen shirt', 'Plain tee']);
+  assert.deepEqual(await titles({ where: { Status: ['Sold', 'Reserved'] } }), ['Wool coat']);
+  assert.deepEqual(await titles({ where: { Price: null } }), ['Plain tee']);
+  assert.deepEqual(await titles({ where: { Price: 25 } }), ['Linen shirt']);
+  assert.deepEqual(await titles({ search: { field: 'Title', text: 'COAT' } }), ['Wool coat']);
+});
+
+test('list and count take operator filters', async () => {
+  const listings = await seededListings();
+  const titles = async (q) => (await listings.list(q)).map(r => r.fields.Title);
+  assert.deepEqual(await titles({ where: { Category: { in: ['outerwear'], ignoreCase: true } } }), ['Denim jacket', 'Wool coat']);
+  assert.deepEqual(await titles({ where: { Category: { in: ['outerwear'] } } }), []);
+  // Blank prices never fall in a range
+  assert.deepEqual(await titles({ where: { Price: { gte: 25, lt: 90 } } }), ['Denim jacket', 'Linen shirt']);
+  assert.deepEqual(await titles({ where: { Price: { lte: 40 } } }), ['Denim jacket', 'Linen shirt']);
+  assert.equal(await listings.count({ where: { Status: 'Active' } }), 3);
+  assert.equal(await listings.count({ where: { Status: 'Active' }, search: { field: 'Title', text: 'shirt' } }), 1);
+  assert.equal(await listings.count(), 4);
+
+  const dated = createLocalDatabase(':memory:')('Listings');
+  await dated.create({ Title: 'Old', 'Created At': '2025-01-01T00:00:00.000Z' });
+  await dated.create({ Title: 'New', 'Created At': '2025-06-01T00:00:00.000Z' });
+  assert.deepEqual((await dated.list({ where: { 'Created At': { lte: new Date('2025-03-01') } } })).map(r => r.fields.Title), ['Old']);
+});
+
+test('list sorts (blanks last) and caps with maxRecords', async () => {
+  const listings = await seededListings();
+  const titles = async (q) => (await listings.list(q)).map(r => r.fields.Title);
+  assert.deepEqual(await titles({ sort: [{ field: 'Price', direction: 'asc' }] }),
+    ['Linen shirt', 'Denim jacket', 'Wool coat', 'Plain tee']);
+  assert.deepEqual(await titles({ sort: [{ field: 'Price', direction: 'desc' }], maxRecords: 2 }),
+    ['Wool coat', 'Denim jacket']);
+  assert.deepEqual(await titles({ sort: [{ field: 'Category' }, { field: 'Title', direction: 'desc' }] }),
+    ['Wool coat', 'Denim jacket', 'Plain tee', 'Linen shirt']);
+});
+
+test('records are copies; update is partial and destroy removes', async () => {
+  const listings = await seededListings();
+  const [shirt] = await listings.list({ where: { Title: 'Linen shirt' } });
+  assert.match(shirt.id, /^rec[A-Za-z0-9]{14}$/);
+  shirt.fields.Price = 1;
+  assert.equal((await listings.find(shirt.id)).fields.Price, 25);
+
+  const updated = await listings.update(shirt.id, { Status: 'Sold' });
+  assert.deepEqual(updated.fields, { Title: 'Linen shirt', Status: 'Sold', Price: 25, Category: 'Tops' });
+  assert.deepEqual((await listings.findMany([shirt.id, 'recMissing'])).map(r => r.id), [shirt.id]);
+
+  await listings.destroy(shirt.id);
+  assert.equal(await listings.find(shirt.id), null);
+  await assert.rejects(listings.update(shirt.id, {}), { status: 404, code: 'NOT_FOUND' });
+});
+
+test('writes go through a temp file and survive a reload', async () => {
+  const file = tmpFile();
+  const table = createLocalDatabase(file);
+  const closet = table('Clothing Items');
+  // Fire writes without awaiting each: they are serialized, and the last one wins on disk
+  await Promise.all(Array.from({ length: 20 }, (_, i) => closet.create({ 'Item Name': `Item ${i}` })));
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+  const onDisk = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(onDisk['Clothing Items'].length, 20);
+
+  const reopened = createLocalDatabase(file)('Clothing Items');
+  assert.equal((await reopened.list()).length, 20);
+  assert.equal((await reopened.list({ where: { 'Item Name': 'Item 7' } })).length, 1);
+});
+
+test('createDatabase exposes one repository per configured table', async () => {
+  const db = createDatabase({ backend: 'local', localPath: tmpFile(), tables: { closet: 'Clothing Items', orders: 'Orders' } });
+  assert.deepEqual(Object.keys(db), ['closet', 'orders']);
+  const order = await db.orders.create({ Status: 'paid' });
+  assert.equal((await db.orders.find(order.id)).fields.Status, 'paid');
+  assert.deepEqual(await db.closet.list(), []);
+});
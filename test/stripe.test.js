@@ -0,0 +1,170 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, ADMIN_KEY } from './helpers/server.js';
+import { startStripeStub, loadStripeFixture, deliverWebhook, WEBHOOK_SECRET } from './helpers/stripe.js';
+
+const stripeStub = await startStripeStub();
+const server = await startServer({
+  STRIPE_SECRET_KEY: 'sk_test_stub',
+  STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+  STRIPE_API_BASE: stripeStub.url,
+});
+after(async () => {
+  await server.close();
+  await stripeStub.close();
+});
+beforeEach(() => { stripeStub.calls.length = 0; });
+
+const { db } = server;
+const stripeCalls = (method, path) => stripeStub.calls.filter(c => c.method === method && c.path.startsWith(path));
+const history = (order) => JSON.parse(order.fields['Status History'] || '[]').map(h => h.status);
+
+test('charge.refunded marks every order of the charge Refunded', async () => {
+  const event = loadStripeFixture('charge.refunded');
+  const charge = event.data.object;
+  const order = await db.orders.create({
+    'Listing ID': 'recListingRefund01', 'Buyer ID': 'buyer-1', 'Seller ID': 'seller-1', 'Price': 42,
+    'Status': 'Confirmed', 'Payment Intent ID': charge.payment_intent, 'Payout Status': 'Destination',
+  });
+
+  const first = await deliverWebhook(server.base, event);
+  assert.deepEqual(first, { status: 200, body: { received: true, status: 'Processed' } });
+  const refunded = await db.orders.find(order.id);
+  assert.equal(refunded.fields['Status'], 'Refunded');
+  // Current API versions don't embed the refunds, so the server looks the latest one up
+  assert.equal(refunded.fields['Refund ID'], `re_for_${charge.id}`);
+  assert.equal(refunded.fields['Payout Status'], 'Destination');
+  assert.deepEqual(history(refunded), ['Refunded']);
+
+  // Stripe redelivers: acknowledged without running the handler again
+  const again = await deliverWebhook(server.base, event);
+  assert.deepEqual(again.body, { received: true, duplicate: true });
+  assert.equal(stripeCalls('GET', '/v1/refunds').length, 1);
+});
+
+test('charge.dispute.created moves open orders to Disputed', async () => {
+  const event = loadStripeFixture('charge.dispute.created');
+  const dispute = event.data.object;
+  const shipped = await db.orders.create({
+    'Buyer ID': 'buyer-2', 'Seller ID': 'seller-2', 'Status': 'Shipped', 'Payment Intent ID': dispute.payment_intent, 'Checkout ID': 'co_1',
+  });
+  const refunded = await db.orders.create({
+    'Buyer ID': 'buyer-2', 'Seller ID': 'seller-3', 'Status': 'Refunded', 'Payment Intent ID': dispute.payment_intent, 'Checkout ID': 'co_1',
+  });
+
+  assert.equal((await deliverWebhook(server.base, event)).body.status, 'Processed');
+  const disputed = await db.orders.find(shipped.id);
+  assert.equal(disputed.fields['Status'], 'Disputed');
+  assert.equal(disputed.fields['Dispute ID'], dispute.id);
+  assert.match(JSON.parse(disputed.fields['Status History']).at(-1).note, /fraudulent/);
+  // A refunded order can't be disputed any more, but the dispute is still recorded on it
+  const stillRefunded = await db.orders.find(refunded.id);
+  assert.equal(stillRefunded.fields['Status'], 'Refunded');
+  assert.equal(stillRefunded.fields['Dispute ID'], dispute.id);
+});
+
+test('account.updated syncs the seller and pays out orders awaiting them', async () => {
+  const event = loadStripeFixture('account.updated');
+  const account = event.data.object;
+  const seller = await db.sellers.create({
+    'User Id': 'seller-1', 'Stripe Account ID': account.id, 'Charges Enabled': false, 'Payouts Enabled': false, 'Details Submitted': false,
+  });
+  const awaiting = await db.orders.create({
+    'Seller ID': 'seller-1', 'Status': 'Confirmed', 'Payout Status': 'Awaiting Seller', 'Seller Payout': 38.25,
+    'Listing ID': 'recListingPayout01', 'Charge ID': 'ch_paid_before_onboarding',
+  });
+  const cancelled = await db.orders.create({
+    'Seller ID': 'seller-1', 'Status': 'Cancelled', 'Payout Status': 'Awaiting Seller', 'Seller Payout': 10,
+  });
+
+  assert.equal((await deliverWebhook(server.base, event)).body.status, 'Processed');
+  const synced = await db.sellers.find(seller.id);
+  assert.equal(synced.fields['Charges Enabled'], true);
+  assert.equal(synced.fields['Payouts Enabled'], true);
+  assert.equal(synced.fields['Details Submitted'], true);
+
+  const [transfer] = stripeCalls('POST', '/v1/transfers');
+  assert.equal(stripeCalls('POST', '/v1/transfers').length, 1);
+  assert.deepEqual(
+    { amount: transfer.params.amount, destination: transfer.params.destination, source: transfer.params.source_transaction, group: transfer.params.transfer_group },
+    { amount: '3825', destination: account.id, source: 'ch_paid_before_onboarding', group: 'listing_recListingPayout01' },
+  );
+  assert.equal(transfer.idempotencyKey, `payout:${awaiting.id}`);
+  const paid = await db.orders.find(awaiting.id);
+  assert.equal(paid.fields['Payout Status'], 'Transferred');
+  assert.match(paid.fields['Transfer ID'], /^tr_test_/);
+  assert.equal((await db.orders.find(cancelled.id)).fields['Payout Status'], 'Awaiting Seller');
+});
+
+test('a failing handler is logged as Failed and can be replayed', async () => {
+  const event = loadStripeFixture('charge.refunded');
+  event.id = 'evt_refund_lookup_fails';
+  event.data.object = { ...event.data.object, id: 'ch_lookup_fails', payment_intent: 'pi_lookup_fails' };
+  const order = await db.orders.create({ 'Buyer ID': 'buyer-7', 'Seller ID': 'seller-7', 'Status': 'Delivered', 'Payment Intent ID': 'pi_lookup_fails' });
+
+  stripeStub.failing.add('GET /v1/refunds');
+  try {
+    // Stored before handling, so Stripe gets a 200 and the event log owns the retries
+    assert.deepEqual(await deliverWebhook(server.base, event), { status: 200, body: { received: true, status: 'Failed' } });
+  } finally {
+    stripeStub.failing.delete('GET /v1/refunds');
+  }
+  const [logged] = await db.webhookEvents.list({ where: { 'Event ID': event.id } });
+  assert.equal(logged.fields['Attempts'], 1);
+  assert.match(logged.fields['Last Error'], /Stubbed failure/);
+  assert.ok(Date.parse(logged.fields['Next Attempt At']) > Date.now());
+  assert.equal((await db.orders.find(order.id)).fields['Status'], 'Delivered');
+
+  const replay = await server.api('POST', `/api/admin/webhook-events/${logged.id}/replay`, { headers: { 'x-admin-key': ADMIN_KEY } });
+  assert.equal(replay.status, 200);
+  assert.equal(replay.body.status, 'Processed');
+  assert.equal(replay.body.attempts, 2);
+  assert.equal((await db.orders.find(order.id)).fields['Status'], 'Refunded');
+});
+
+test('refunding a cancelled checkout order reverses the payout, then refunds its share', async () => {
+  const order = await db.orders.create({
+    'Buyer ID': 'buyer-4', 'Seller ID': 'seller-4', 'Status': 'Cancelled', 'Payment Intent ID': 'pi_checkout_4',
+    'Checkout ID': 'co_4', 'Price': 30, 'Shipping': 5, 'Tax': 2.5, 'Payout Status': 'Transferred', 'Transfer ID': 'tr_paid_4',
+  });
+
+  const res = await server.api('POST', `/api/orders/${order.id}/refund`, { userId: 'seller-4', body: { note: 'Item lost' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'Refunded');
+  assert.equal(res.body.payoutStatus, 'Reversed');
+  assert.match(res.body.refundId, /^re_test_/);
+
+  assert.deepEqual(stripeStub.calls.map(c => `${c.method} ${c.path}`), ['POST /v1/transfers/tr_paid_4/reversals', 'POST /v1/refunds']);
+  const [reversal, refund] = stripeStub.calls;
+  assert.equal(reversal.idempotencyKey, `reversal:${order.id}`);
+  assert.deepEqual(
+    { pi: refund.params.payment_intent, amount: refund.params.amount, key: refund.idempotencyKey },
+    { pi: 'pi_checkout_4', amount: '3750', key: `refund:${order.id}` },
+  );
+
+  // Refunding again is a no-op
+  assert.equal((await server.api('POST', `/api/orders/${order.id}/refund`, { userId: 'seller-4' })).body.status, 'Refunded');
+  assert.equal(stripeStub.calls.length, 2);
+});
+
+test('refunding a destination charge pulls back the transfer and fee with the refund', async () => {
+  const order = await db.orders.create({
+    'Buyer ID': 'buyer-5', 'Seller ID': 'seller-5', 'Status': 'Cancelled', 'Payment Intent ID': 'pi_single_5',
+    'Price': 20, 'Payout Status': 'Destination',
+  });
+  const res = await server.api('POST', `/api/orders/${order.id}/refund`, { userId: 'buyer-5' });
+  assert.equal(res.status, 200);
+  const [refund] = stripeCalls('POST', '/v1/refunds');
+  assert.equal(refund.params.amount, undefined);
+  assert.equal(refund.params.reverse_transfer, 'true');
+  assert.equal(refund.params.refund_application_fee, 'true');
+  assert.equal(res.body.payoutStatus, 'Reversed');
+});
+
+test('only cancelled or disputed orders can be refunded', async () => {
+  const order = await db.orders.create({ 'Buyer ID': 'buyer-6', 'Seller ID': 'seller-6', 'Status': 'Shipped', 'Payment Intent ID': 'pi_6' });
+  const res = await server.api('POST', `/api/orders/${order.id}/refund`, { userId: 'seller-6' });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error.code, 'INVALID_TRANSITION');
+  assert.equal(stripeStub.calls.length, 0);
+});
@@ -0,0 +1,50 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const server = await startServer();
+after(() => server.close());
+
+const closet = async (uid, items) => {
+  for (const [name, category, color] of items) {
+    // Through the API, so warmth and formality are inferred from the names
+    const res = await server.api('POST', '/api/closet', { userId: uid, body: { name, category, color } });
+    assert.equal(res.status, 201);
+  }
+};
+await closet('u1', [
+  ['Wool sweater', 'Sweater', 'navy'], ['Linen tank', 'Tank', 'white'],
+  ['Wool trousers', 'Trousers', 'charcoal'], ['Denim shorts', 'Shorts', 'blue'],
+  ['Leather boots', 'Boots', 'black'], ['Flip flop sandals', 'Sandals', 'tan'],
+  ['Parka', 'Coat', 'olive'],
+]);
+await closet('u2', [
+  ['Dress shirt', 'Shirt', 'white'], ['Graphic tee', 'Tee', 'red'],
+  ['Suit trousers', 'Trousers', 'navy'], ['Sweatpants', 'Pants', 'grey'],
+  ['Oxford shoes', 'Shoes', 'brown'], ['Running sneakers', 'Sneakers', 'white'],
+]);
+
+const styleMe = async (userId, body) => {
+  const { status, body: res } = await server.api('POST', '/api/outfits', { userId, body });
+  assert.equal(status, 200);
+  return res.data.map(o => o.items.map(i => i.name));
+};
+
+test('Style Me dresses for the weather text', async () => {
+  for (let i = 0; i < 5; i++) {
+    const [a] = await styleMe('u1', { weather: 'cold and snowy' });
+    assert.deepEqual(a, ['Wool sweater', 'Wool trousers', 'Leather boots', 'Parka']);
+  }
+  for (let i = 0; i < 5; i++) {
+    const [a] = await styleMe('u1', { weather: 'hot and sunny' });
+    // Warm days skip outerwear and favour the light pieces
+    assert.deepEqual(a, ['Linen tank', 'Denim shorts', 'Flip flop sandals']);
+  }
+});
+
+test('Style Me matches the formality of the occasion', async () => {
+  for (let i = 0; i < 5; i++) {
+    const [a] = await styleMe('u2', { occasion: 'Job interview' });
+    assert.deepEqual(a, ['Dress shirt', 'Suit trousers', 'Oxford shoes']);
+  }
+});
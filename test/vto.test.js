@@ -0,0 +1,155 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import { once } from 'events';
+import { startServer } from './helpers/server.js';
+
+const CALLBACK_SECRET = 'test-callback-secret';
+const vtoEnv = { VTO_PROVIDER: 'stub', VTO_STUB_DELAY_MS: '0', VTO_TIMEOUT_SEC: '300', VTO_CALLBACK_ALLOWED_HOSTS: '' };
+
+const server = await startServer({ ...vtoEnv, VTO_CALLBACK_SECRET: CALLBACK_SECRET });
+const { sweepVtoJobs } = await import('../server.js');
+// The same server, but callbacks may go to this machine (where the test receiver listens)
+const allowlisted = await startServer({ ...vtoEnv, VTO_CALLBACK_SECRET: CALLBACK_SECRET, VTO_CALLBACK_ALLOWED_HOSTS: '127.0.0.1' }, { instance: 'allowlisted' });
+const unsigned = await startServer({ ...vtoEnv, VTO_CALLBACK_SECRET: undefined }, { instance: 'no-callback-secret' });
+
+// Receives job callbacks
+const received = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (c) => { body += c; });
+  req.on('end', () => { received.push({ headers: req.headers, body }); res.end('ok'); });
+});
+receiver.listen(0, '127.0.0.1');
+await once(receiver, 'listening');
+const receiverPort = receiver.address().port;
+
+after(async () => {
+  await Promise.all([server.close(), allowlisted.close(), unsigned.close()]);
+  receiver.close();
+});
+
+const MODEL = 'https://images.example.com/model.jpg';
+const submit = (srv, body, userId = 'u1') => srv.api('POST', '/api/vto', {
+  userId, body: { modelImageUrl: MODEL, garmentImageUrl: 'https://images.example.com/shirt.jpg', category: 'shirt', notify: false, ...body },
+});
+
+// The submitting instance polls the provider every 2s; wait for the job to leave Processing
+async function finished(srv, id, userId = 'u1') {
+  for (let i = 0; i < 40; i++) {
+    const { body } = await srv.api('GET', `/api/vto/${id}`, { userId });
+    if (body.status !== 'processing') return body;
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`job ${id} still processing`);
+}
+
+const until = async (check) => {
+  for (let i = 0; i < 40 && !check(); i++) await new Promise(resolve => setTimeout(resolve, 100));
+};
+
+test('a job is processing, then completed with the rendered image', async () => {
+  const res = await submit(server);
+  assert.equal(res.status, 202);
+  assert.equal(res.headers.get('location'), `/api/vto/${res.body.id}`);
+  assert.equal(res.body.status, 'processing');
+  assert.deepEqual(res.body.steps.map(s => s.status), ['processing']);
+
+  const job = await finished(server, res.body.id);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.resultImageUrl, MODEL); // the stub "renders" the model photo
+  assert.deepEqual(job.steps.map(s => s.status), ['completed']);
+  assert.ok(job.completedAt);
+});
+
+test('a provider failure fails the job with its error', async () => {
+  const res = await submit(server, { garmentImageUrl: 'https://images.example.com/fail.jpg' });
+  const job = await finished(server, res.body.id);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'Stub provider failed on request');
+  assert.equal(job.resultImageUrl, null);
+});
+
+const storedJob = (fields) => server.db.vtoJobs.create({
+  'User Id': 'u2', 'Status': 'Processing', 'Provider': 'stub', 'Model Image URL': MODEL, 'Notify': false,
+  'Steps': JSON.stringify([{ category: 'tops', garmentImageUrl: 'https://images.example.com/tee.jpg', status: 'processing', providerJobId: 'stub_elsewhere' }]),
+  'Created At': new Date().toISOString(),
+  ...fields,
+});
+
+test('a job still rendering after VTO_TIMEOUT_SEC is failed', async () => {
+  const record = await storedJob({ 'Created At': new Date(Date.now() - 301_000).toISOString() });
+  await sweepVtoJobs();
+  const job = await finished(server, record.id, 'u2');
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /^Virtual Try-On timed out after 30\d seconds$/);
+});
+
+test('the sweep picks up untracked jobs and fails ones from another provider', async () => {
+  const otherProvider = await storedJob({ 'Provider': 'fashn' });
+  // Submitted by an instance that went away: this stub has never seen the provider job
+  const orphan = await storedJob({});
+  await sweepVtoJobs();
+
+  const failedNow = await server.api('GET', `/api/vto/${otherProvider.id}`, { userId: 'u2' });
+  assert.equal(failedNow.body.status, 'failed');
+  assert.equal(failedNow.body.error, 'Try-on provider changed before the job finished');
+
+  const picked = await finished(server, orphan.id, 'u2');
+  assert.equal(picked.error, 'Stub job lost (server restarted)');
+});
+
+test('callbackUrl needs VTO_CALLBACK_SECRET', async () => {
+  const res = await submit(unsigned, { callbackUrl: `http://127.0.0.1:${receiverPort}/cb` });
+  assert.equal(res.status, 503);
+  assert.equal(res.body.error.code, 'CALLBACKS_NOT_CONFIGURED');
+  assert.equal((await submit(unsigned)).status, 202);
+});
+
+test('callbacks to private addresses are refused', async () => {
+  for (const url of [`http://127.0.0.1:${receiverPort}/cb`, 'http://10.1.2.3/cb', 'http://[::1]/cb', 'http://169.254.169.254/latest']) {
+    const res = await submit(server, { callbackUrl: url });
+    assert.equal(res.status, 400, url);
+    assert.equal(res.body.error.code, 'CALLBACK_URL_NOT_ALLOWED');
+  }
+});
+
+test('the callback connects to the address that was checked (DNS rebinding)', async (t) => {
+  // First answer public (the check), then 127.0.0.1 (what a rebinding server says next)
+  const lookup = dns.lookup;
+  t.mock.method(dns.promises, 'lookup', async (host, options) =>
+    host === 'rebind.test' ? [{ address: '93.184.216.34', family: 4 }] : dns.promises.lookup.mock.original(host, options));
+  t.mock.method(dns, 'lookup', (host, options, callback) => {
+    if (host !== 'rebind.test') return lookup(host, options, callback);
+    return options.all ? callback(null, [{ address: '127.0.0.1', family: 4 }]) : callback(null, '127.0.0.1', 4);
+  });
+  const warn = t.mock.method(console, 'warn', () => {});
+  const before = received.length;
+
+  const res = await submit(server, { callbackUrl: `http://rebind.test:${receiverPort}/cb` });
+  assert.equal(res.status, 202);
+  assert.equal((await finished(server, res.body.id)).status, 'completed');
+  await until(() => warn.mock.calls.some(c => /callback/.test(c.arguments[0])));
+
+  assert.equal(received.length, before);
+  const message = warn.mock.calls.map(c => c.arguments.join(' ')).find(m => m.includes('callback'));
+  assert.match(message, /rebind\.test resolves to a private address/);
+});
+
+test('finished jobs are POSTed to callbackUrl, signed with VTO_CALLBACK_SECRET', async () => {
+  const before = received.length;
+  const res = await submit(allowlisted, { callbackUrl: `http://127.0.0.1:${receiverPort}/cb` });
+  assert.equal(res.status, 202);
+  await finished(allowlisted, res.body.id);
+  await until(() => received.length > before);
+
+  const { headers, body } = received.at(-1);
+  const expected = crypto.createHmac('sha256', CALLBACK_SECRET).update(body).digest('hex');
+  assert.equal(headers['x-outfitted-signature'], `sha256=${expected}`);
+  const payload = JSON.parse(body);
+  assert.equal(payload.type, 'vto.job.finished');
+  assert.equal(payload.data.id, res.body.id);
+  assert.equal(payload.data.status, 'completed');
+});
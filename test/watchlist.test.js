@@ -0,0 +1,33 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+// Two instances of the server over the same watchlist, the way two deployed instances share Airtable
+const env = { RETAILER_PROVIDERS: 'fake' };
+const first = await startServer(env);
+const second = await startServer(env, { instance: 'second' });
+second.db.watchlist = first.db.watchlist;
+second.db.priceHistory = first.db.priceHistory;
+const { checkWatchlist: checkOnFirst } = await import('../server.js');
+const { checkWatchlist: checkOnSecond } = await import('../server.js?second');
+after(() => Promise.all([first.close(), second.close()]));
+
+test('a due watch is checked and announced by one instance only', async (t) => {
+  const notices = [];
+  t.mock.method(console, 'log', (...args) => { if (String(args[0]).startsWith('[notify]')) notices.push(args.join(' ')); });
+
+  const watch = await first.api('POST', '/api/watchlist', {
+    userId: 'u1', body: { provider: 'fake', productId: 'fake-linen-shirt-3', targetPrice: 1000 },
+  });
+  assert.equal(watch.status, 201);
+
+  const summaries = await Promise.all([checkOnFirst({ force: true }), checkOnSecond({ force: true })]);
+  assert.deepEqual(summaries.map(s => s.alerts).sort(), [0, 1]);
+  assert.deepEqual(summaries.map(s => s.claimedElsewhere).sort(), [0, 1]);
+  assert.equal(notices.filter(n => n.includes('u1: Price drop')).length, 1);
+
+  // Announced once: the next check has nothing new to say
+  const again = await checkOnSecond({ force: true });
+  assert.equal(again.alerts, 0);
+  assert.equal(notices.length, 1);
+});
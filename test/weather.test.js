@@ -0,0 +1,43 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers/server.js';
+
+const server = await startServer({ WEATHER_PROVIDER: 'stub' });
+after(() => server.close());
+
+const shirt = await server.api('POST', '/api/closet', { userId: 'u1', body: { name: 'Oxford shirt', category: 'Shirt', color: 'white' } });
+const isoIn = (days, from = Date.now()) => new Date(from + days * 86_400_000).toISOString().slice(0, 10);
+const suggest = (body) => server.api('POST', '/api/outfits/suggest', {
+  userId: 'u1', body: { occasion: 'Work', itemIds: [shirt.body.item.id], ...body },
+});
+
+test('dates are accepted as far ahead as the forecast provider goes', async () => {
+  const last = await suggest({ location: { city: 'London' }, date: isoIn(15) });
+  assert.equal(last.status, 201);
+  assert.equal(last.body.data[0].forecast.date, isoIn(15));
+
+  const past = await suggest({ location: { city: 'London' }, date: isoIn(16) });
+  assert.equal(past.status, 400);
+  assert.match(JSON.stringify(past.body.error.message), /within the next 15 days/);
+});
+
+test('without a date the forecast is for today at the location', async () => {
+  // Far east and far west of UTC the local date is a day apart for half of every day
+  for (const [lon, hours] of [[178, 12], [-178, -12]]) {
+    const before = Date.now();
+    const res = await suggest({ location: { lat: 0, lon } });
+    assert.equal(res.status, 201);
+    const expected = [isoIn(hours / 24, before), isoIn(hours / 24)];
+    assert.ok(expected.includes(res.body.data[0].forecast.date), `${lon}: ${res.body.data[0].forecast.date}`);
+  }
+});
+
+test('a week without a date starts today at the location', async () => {
+  const before = Date.now();
+  const res = await server.api('POST', '/api/outfits/week', {
+    userId: 'u1', body: { occasion: 'Work', location: { lat: 0, lon: 178 }, itemIds: [shirt.body.item.id] },
+  });
+  assert.equal(res.status, 200);
+  assert.ok([isoIn(0.5, before), isoIn(0.5)].includes(res.body.data[0].date));
+  assert.equal(res.body.data[6].forecast.date, res.body.data[6].date);
+});